@@ -8,15 +8,19 @@ const __dirname = path.dirname(__filename);
 
 const rootDir = path.resolve(__dirname, "..");
 const htmlPath = path.join(rootDir, "test", "page.html");
+const jsonPath = path.join(rootDir, "test", "page.json");
 const outPath = path.join(rootDir, "test", "output.md");
 
 const html = await readFile(htmlPath, "utf8");
+// Optional Squarespace `?format=json-pretty` payload for frontmatter enrichment.
+const json = await readFile(jsonPath, "utf8").catch(() => "");
 
 const mf = new Miniflare({
   scriptPath: path.join(rootDir, "src", "index.js"),
   modules: true,
   bindings: {
     TEST_HTML: html,
+    TEST_JSON: json,
   },
 });
 
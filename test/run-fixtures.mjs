@@ -0,0 +1,172 @@
+// Regression fixtures: run each page in test/fixtures/ through the Worker (in
+// Miniflare) and compare the responses with the expected files next to it.
+//
+//   npm test                  compare
+//   npm test -- --update      rewrite the expected files from the current output
+//
+// A fixture is a directory holding:
+// - `page.html`: the upstream page, served at https://fixtures.test/<name>
+// - `page.json` (optional): its Squarespace `?format=json-pretty` payload
+// - `requests.json` (optional): expected file -> query string appended to
+//   `/<name>.md`, e.g. { "output.md": "", "chunks.ndjson": "?chunk=40" }, or
+//   a path on https://fixtures.test (starting with `/`, e.g. "/llms.txt");
+//   the default is { "output.md": "" }. Requests run in order.
+//
+// A site fixture holds a `site.json` instead of `page.html`, for routes that
+// read more than one page (`/llms.txt`, `/search.md`, `/changes.md`) and for
+// upstream redirects. It runs in a Worker of its own, with its own edge cache
+// and KV, and https://fixtures.test serves only what it lists:
+//   {
+//     "bindings": { "LLMS_MAX_FETCHES": "3" },
+//     "kvNamespaces": ["MARKDOWN_CHANGES_KV"],
+//     "upstream": {
+//       "/sitemap.xml": "sitemap.xml",
+//       "/old": { "status": 301, "headers": { "Location": "/new" } }
+//     }
+//   }
+// An upstream entry is a file in the fixture directory, or `{ status, headers,
+// file }`; a path with a query string is matched before the bare path.
+//
+// A response other than a `200` starts with its status line (`HTTP 403`, plus
+// `Location: <url>` for a redirect) and a blank line, so error, restricted and
+// redirect responses are checked too.
+//
+// The extractor version in the output (`version:` / `markdownVersion`) is
+// replaced by `<version>`, so a release doesn't touch every expected file, and
+// ISO 8601 times from after the run started (a feed's `generated` time, changes
+// recorded during the run), also URL-encoded, by `<now>`.
+import { readFile, readdir, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { Miniflare } from "miniflare";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const rootDir = path.resolve(__dirname, "..");
+const fixturesDir = path.join(__dirname, "fixtures");
+const update = process.argv.includes("--update");
+const origin = "https://fixtures.test";
+const scriptPath = path.join(rootDir, "src", "index.js");
+const started = Date.now();
+
+const names = (await readdir(fixturesDir, { withFileTypes: true }))
+  .filter((entry) => entry.isDirectory())
+  .map((entry) => entry.name)
+  .sort();
+
+const readOptional = (file) => readFile(file, "utf8").catch(() => null);
+
+const CONTENT_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".xml": "application/xml",
+  ".json": "application/json",
+};
+
+const notFound = () =>
+  new Response("Not found", { status: 404, headers: { "Content-Type": "text/plain" } });
+
+// Page fixtures: upstream requests are answered from the fixture files;
+// anything else 404s.
+const pages = new Miniflare({
+  scriptPath,
+  modules: true,
+  outboundService: async (request) => {
+    const url = new URL(request.url);
+    const name = url.pathname.slice(1);
+    if (url.origin === origin && names.includes(name)) {
+      const dir = path.join(fixturesDir, name);
+      if (url.searchParams.get("format") === "json-pretty") {
+        const json = await readOptional(path.join(dir, "page.json"));
+        if (json !== null) {
+          return new Response(json, { headers: { "Content-Type": "application/json" } });
+        }
+      } else if (!url.search) {
+        const html = await readOptional(path.join(dir, "page.html"));
+        if (html !== null) {
+          return new Response(html, { headers: { "Content-Type": CONTENT_TYPES[".html"] } });
+        }
+      }
+    }
+    return notFound();
+  },
+});
+
+// Site fixtures: upstream requests are answered from `site.json`'s `upstream`.
+function siteWorker(dir, site) {
+  const upstream = site.upstream || {};
+  return new Miniflare({
+    scriptPath,
+    modules: true,
+    bindings: site.bindings || {},
+    kvNamespaces: site.kvNamespaces || [],
+    outboundService: async (request) => {
+      const url = new URL(request.url);
+      const entry =
+        url.origin === origin ? upstream[url.pathname + url.search] ?? upstream[url.pathname] : undefined;
+      if (entry === undefined) return notFound();
+      const { status = 200, headers = {}, file } = typeof entry === "string" ? { file: entry } : entry;
+      const body = file ? await readFile(path.join(dir, file), "utf8") : null;
+      const contentType = file ? CONTENT_TYPES[path.extname(file)] || "text/plain" : "text/plain";
+      return new Response(body, { status, headers: { "Content-Type": contentType, ...headers } });
+    },
+  });
+}
+
+let failures = 0;
+try {
+  for (const name of names) {
+    const dir = path.join(fixturesDir, name);
+    const requests = JSON.parse(
+      (await readOptional(path.join(dir, "requests.json"))) || '{ "output.md": "" }'
+    );
+    const site = JSON.parse((await readOptional(path.join(dir, "site.json"))) || "null");
+    const mf = site ? siteWorker(dir, site) : pages;
+
+    try {
+      for (const [file, query] of Object.entries(requests)) {
+        const target = query.startsWith("/") ? `${origin}${query}` : `${origin}/${name}.md${query}`;
+        const res = await mf.dispatchFetch(target, { redirect: "manual" });
+        const body = await res.text();
+        const location = res.headers.get("location");
+        const status = `HTTP ${res.status}${location ? `\nLocation: ${location}` : ""}`;
+        const actual = (res.status === 200 ? body : `${status}\n\n${body}`)
+          .replace(/^version: "[^"]*"$/m, 'version: "<version>"')
+          .replace(/"markdownVersion": ?"[^"]*"/g, (m) => m.replace(/"[^"]*"$/, '"<version>"'))
+          .replace(/\d{4}-\d\d-\d\dT\d\d(?::|%3A)\d\d(?::|%3A)\d\d\.\d{3}Z/g, (time) =>
+            Date.parse(decodeURIComponent(time)) >= started ? "<now>" : time
+          );
+        const expectedPath = path.join(dir, file);
+
+        if (update) {
+          await writeFile(expectedPath, actual, "utf8");
+          console.log(`updated ${name}/${file}`);
+          continue;
+        }
+
+        const expected = await readOptional(expectedPath);
+        if (actual === expected) {
+          console.log(`ok   ${name}/${file}`);
+          continue;
+        }
+
+        failures += 1;
+        console.log(`FAIL ${name}/${file} (${res.status})`);
+        const want = (expected ?? "").split("\n");
+        const got = actual.split("\n");
+        const line = want.findIndex((l, i) => l !== got[i]);
+        const at = line === -1 ? want.length : line;
+        console.log(`  first difference at line ${at + 1}:`);
+        console.log(`  - ${JSON.stringify(want[at])}`);
+        console.log(`  + ${JSON.stringify(got[at])}`);
+      }
+    } finally {
+      if (site) await mf.dispose();
+    }
+  }
+} finally {
+  await pages.dispose();
+}
+
+if (failures) {
+  console.log(`\n${failures} fixture output(s) differ; run \`npm test -- --update\` if the change is intended.`);
+  process.exit(1);
+}